@@ -1,9 +1,64 @@
 // db.js - IndexedDB 数据库封装
+
+// 开了应用锁后，记录里只有主键和索引要用的字段留明文，其余整条加密放进 sealed（媒体的 blob 单独放进 sealedBlob）
+const PLAIN_FIELDS = {
+    sessions: ['id', 'createdAt'],
+    messages: ['id', 'sessionId', 'timestamp', 'starredAt'],
+    resources: ['id', 'sessionId', 'type', 'timestamp'],
+    media: ['hash', 'size', 'createdAt'],
+    settings: ['sessionId'],
+    customReplies: ['id', 'sessionId'],
+    anniversaries: ['id', 'sessionId']
+};
+
 class ChatDatabase {
     constructor() {
         this.dbName = 'CHAT_APP_V4_DB';
-        this.dbVersion = 2; // 版本 2 增加更多存储表
+        this.dbVersion = 5; // 版本 3 给消息表加分页索引，版本 4 加收藏索引，版本 5 加媒体库
         this.db = null;
+        this.cipher = null;
+        this.sealWrites = false;
+    }
+
+    // 设置加解密器：{ encrypt(value), decrypt(sealed), encryptBytes(buffer), decryptBytes(sealed) }
+    // sealWrites 为 false 时只解密不加密（关闭应用锁、把数据往回解的过程中用）
+    setCipher(cipher, sealWrites = !!cipher) {
+        this.cipher = cipher;
+        this.sealWrites = !!cipher && sealWrites;
+    }
+
+    // 写入前加密一条记录；没开锁原样返回
+    async seal(storeName, record) {
+        if (!this.sealWrites || !record) return record;
+        const keep = PLAIN_FIELDS[storeName];
+        const sealed = {};
+        const secret = {};
+        for (const [k, v] of Object.entries(record)) {
+            if (keep.includes(k)) sealed[k] = v;
+            else if (!(v instanceof Blob)) secret[k] = v;
+        }
+        if (record.blob instanceof Blob) {
+            sealed.sealedBlob = await this.cipher.encryptBytes(await record.blob.arrayBuffer());
+        }
+        sealed.sealed = await this.cipher.encrypt(secret);
+        return sealed;
+    }
+
+    // 读出后解密；明文记录原样返回，所以加密迁移中途打断也能照常读
+    // withBlob 为 false 时不解媒体内容，只要元数据
+    async unseal(record, withBlob = true) {
+        if (!record?.sealed) return record;
+        if (!this.cipher) throw new Error('数据已加密，请先解锁');
+        const { sealed, sealedBlob, ...plain } = record;
+        const value = { ...plain, ...(await this.cipher.decrypt(sealed)) };
+        if (sealedBlob && withBlob) {
+            value.blob = new Blob([await this.cipher.decryptBytes(sealedBlob)], { type: value.type || '' });
+        }
+        return value;
+    }
+
+    async unsealAll(records) {
+        return Promise.all(records.map(r => this.unseal(r)));
     }
 
     // 打开数据库连接
@@ -14,6 +69,12 @@ class ChatDatabase {
             request.onerror = () => reject(request.error);
             request.onsuccess = () => {
                 this.db = request.result;
+                // 别的页面要删库或升级时先让出连接，不然它会一直被挡住；onversionchange 由页面决定接下来怎么办（一般是刷新）
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    if (this.onversionchange) this.onversionchange();
+                };
                 console.log('数据库连接成功');
                 resolve(this.db);
             };
@@ -37,6 +98,18 @@ class ChatDatabase {
                     console.log('创建 messages 表');
                 }
 
+                // 消息分页索引：同一会话内按 时间 + id 排序
+                const msgStore = event.target.transaction.objectStore('messages');
+                if (!msgStore.indexNames.contains('sessionId_timestamp')) {
+                    msgStore.createIndex('sessionId_timestamp', ['sessionId', 'timestamp', 'id'], { unique: false });
+                    console.log('创建 messages 分页索引');
+                }
+                // 收藏索引：没收藏的消息 starredAt 为 null，不会进索引
+                if (!msgStore.indexNames.contains('sessionId_starredAt')) {
+                    msgStore.createIndex('sessionId_starredAt', ['sessionId', 'starredAt'], { unique: false });
+                    console.log('创建 messages 收藏索引');
+                }
+
                 // 创建资源存储表（头像、表情包、背景图）
                 if (!db.objectStoreNames.contains('resources')) {
                     const resStore = db.createObjectStore('resources', { keyPath: 'id' });
@@ -44,6 +117,12 @@ class ChatDatabase {
                     console.log('创建 resources 表');
                 }
 
+                // 媒体库：图片、语音按内容的 SHA-256 存一份，消息和设置里只留 "media:<hash>"
+                if (!db.objectStoreNames.contains('media')) {
+                    db.createObjectStore('media', { keyPath: 'hash' });
+                    console.log('创建 media 表');
+                }
+
                 // 创建设置存储表
                 if (!db.objectStoreNames.contains('settings')) {
                     const settingsStore = db.createObjectStore('settings', { keyPath: 'sessionId' });
@@ -77,45 +156,59 @@ class ChatDatabase {
         if (!this.db) await this.open();
         const tx = this.db.transaction('sessions', 'readonly');
         const store = tx.objectStore('sessions');
-        return new Promise((resolve, reject) => {
+        const sessions = await new Promise((resolve, reject) => {
             const request = store.getAll();
             request.onsuccess = () => resolve(request.result || []);
             request.onerror = () => reject(request.error);
         });
+        return this.unsealAll(sessions);
     }
 
     // 创建新会话
     async createSession(sessionData) {
         if (!this.db) await this.open();
+        const record = await this.seal('sessions', sessionData);
         const tx = this.db.transaction('sessions', 'readwrite');
         const store = tx.objectStore('sessions');
         return new Promise((resolve, reject) => {
-            const request = store.add(sessionData);
+            const request = store.add(record);
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
     }
 
+    // 读出、合并、写回一条记录。加解密要 await，放不进同一个事务，所以先读后写；
+    // 写的时候在写事务里再读一次，中间被别人（比如另一个标签页）改过就重来，不会把对方的改动覆盖掉
+    async updateRecord(storeName, key, updates, missingMessage) {
+        if (!this.db) await this.open();
+        for (;;) {
+            const current = await new Promise((resolve, reject) => {
+                const request = this.db.transaction(storeName, 'readonly').objectStore(storeName).get(key);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            if (!current) throw new Error(missingMessage);
+            const record = await this.seal(storeName, { ...(await this.unseal(current)), ...updates });
+            const written = await new Promise((resolve, reject) => {
+                const tx = this.db.transaction(storeName, 'readwrite');
+                const store = tx.objectStore(storeName);
+                let ok = false;
+                const request = store.get(key);
+                request.onsuccess = () => {
+                    if (JSON.stringify(request.result) !== JSON.stringify(current)) return;
+                    store.put(record);
+                    ok = true;
+                };
+                tx.oncomplete = () => resolve(ok);
+                tx.onerror = () => reject(tx.error);
+            });
+            if (written) return;
+        }
+    }
+
     // 更新会话信息
     async updateSession(sessionId, updates) {
-        if (!this.db) await this.open();
-        const tx = this.db.transaction('sessions', 'readwrite');
-        const store = tx.objectStore('sessions');
-        return new Promise((resolve, reject) => {
-            const getRequest = store.get(sessionId);
-            getRequest.onsuccess = () => {
-                const session = getRequest.result;
-                if (session) {
-                    const updatedSession = { ...session, ...updates };
-                    const putRequest = store.put(updatedSession);
-                    putRequest.onsuccess = () => resolve();
-                    putRequest.onerror = () => reject(putRequest.error);
-                } else {
-                    reject(new Error('会话不存在'));
-                }
-            };
-            getRequest.onerror = () => reject(getRequest.error);
-        });
+        return this.updateRecord('sessions', sessionId, updates, '会话不存在');
     }
 
     // 删除会话及其所有数据
@@ -189,6 +282,15 @@ class ChatDatabase {
     // 保存消息（批量）
     async saveMessages(sessionId, messages) {
         if (!this.db) await this.open();
+        messages.forEach(msg => {
+            if (!msg.sessionId) {
+                msg.sessionId = sessionId;
+            }
+            if (!msg.id) {
+                msg.id = `${sessionId}_msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            }
+        });
+        const records = await Promise.all(messages.map(msg => this.seal('messages', msg)));
         const tx = this.db.transaction('messages', 'readwrite');
         const store = tx.objectStore('messages');
 
@@ -209,15 +311,7 @@ class ChatDatabase {
         });
 
         // 插入新消息
-        messages.forEach(msg => {
-            if (!msg.sessionId) {
-                msg.sessionId = sessionId;
-            }
-            if (!msg.id) {
-                msg.id = `${sessionId}_msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-            }
-            store.add(msg);
-        });
+        records.forEach(record => store.add(record));
 
         return new Promise((resolve, reject) => {
             tx.oncomplete = () => resolve();
@@ -231,33 +325,120 @@ class ChatDatabase {
         const tx = this.db.transaction('messages', 'readonly');
         const store = tx.objectStore('messages');
         const index = store.index('sessionId');
-        return new Promise((resolve, reject) => {
+        const messages = await new Promise((resolve, reject) => {
             const request = index.getAll(IDBKeyRange.only(sessionId));
-            request.onsuccess = () => {
-                const messages = request.result || [];
-                // 按时间排序
-                messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-                resolve(messages);
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+        // 按时间排序
+        messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        return this.unsealAll(messages);
+    }
+
+    // 分页加载消息，结果按时间正序
+    // before: 从这条（上一页最旧的一条）往前取 limit 条；after: 从这条往后取；都不传则取最新的
+    async loadMessagesPage(sessionId, { before = null, after = null, limit = 50 } = {}) {
+        if (!this.db) await this.open();
+        const tx = this.db.transaction('messages', 'readonly');
+        const index = tx.objectStore('messages').index('sessionId_timestamp');
+        const range = after
+            ? IDBKeyRange.bound([sessionId, after.timestamp, after.id], [sessionId, Infinity], true, false)
+            : IDBKeyRange.bound([sessionId, -Infinity], before ? [sessionId, before.timestamp, before.id] : [sessionId, Infinity], false, !!before);
+        const rows = await new Promise((resolve, reject) => {
+            const page = [];
+            const request = index.openCursor(range, after ? 'next' : 'prev');
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor && page.length < limit) {
+                    page.push(cursor.value);
+                    cursor.continue();
+                } else {
+                    resolve(after ? page : page.reverse());
+                }
             };
             request.onerror = () => reject(request.error);
         });
+        return this.unsealAll(rows);
+    }
+
+    // 按 id 取单条消息
+    async getMessage(messageId) {
+        if (!this.db) await this.open();
+        const tx = this.db.transaction('messages', 'readonly');
+        const store = tx.objectStore('messages');
+        const message = await new Promise((resolve, reject) => {
+            const request = store.get(messageId);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+        return this.unseal(message);
+    }
+
+    // 按时间顺序分批遍历会话消息，不必一次性把整个会话读进数组（建索引用）
+    async iterateMessages(sessionId, callback, batchSize = 500) {
+        if (!this.db) await this.open();
+        let lower = [sessionId, -Infinity];
+        let open = false;
+        for (;;) {
+            const tx = this.db.transaction('messages', 'readonly');
+            const index = tx.objectStore('messages').index('sessionId_timestamp');
+            const range = IDBKeyRange.bound(lower, [sessionId, Infinity], open, false);
+            const batch = await new Promise((resolve, reject) => {
+                const request = index.getAll(range, batchSize);
+                request.onsuccess = () => resolve(request.result || []);
+                request.onerror = () => reject(request.error);
+            });
+            (await this.unsealAll(batch)).forEach(callback);
+            if (batch.length < batchSize) return;
+            const last = batch[batch.length - 1];
+            lower = [sessionId, last.timestamp, last.id];
+            open = true;
+        }
+    }
+
+    // 取 [from, to) 时间段内的消息，按时间升序
+    async loadMessagesRange(sessionId, from, to, limit) {
+        if (!this.db) await this.open();
+        const tx = this.db.transaction('messages', 'readonly');
+        const index = tx.objectStore('messages').index('sessionId_timestamp');
+        const range = IDBKeyRange.bound([sessionId, from], [sessionId, to], false, true);
+        const messages = await new Promise((resolve, reject) => {
+            const request = index.getAll(range, limit);
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+        return this.unsealAll(messages);
+    }
+
+    // 取会话里收藏的消息，按收藏时间升序
+    async loadStarredMessages(sessionId) {
+        if (!this.db) await this.open();
+        const tx = this.db.transaction('messages', 'readonly');
+        const index = tx.objectStore('messages').index('sessionId_starredAt');
+        const range = IDBKeyRange.bound([sessionId, -Infinity], [sessionId, Infinity]);
+        const messages = await new Promise((resolve, reject) => {
+            const request = index.getAll(range);
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+        return this.unsealAll(messages);
     }
 
     // 添加单条消息
     async addMessage(sessionId, message) {
         if (!this.db) await this.open();
-        const tx = this.db.transaction('messages', 'readwrite');
-        const store = tx.objectStore('messages');
-        
         if (!message.sessionId) {
             message.sessionId = sessionId;
         }
         if (!message.id) {
             message.id = `${sessionId}_msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         }
-        
+        const record = await this.seal('messages', message);
+
+        const tx = this.db.transaction('messages', 'readwrite');
+        const store = tx.objectStore('messages');
         return new Promise((resolve, reject) => {
-            const request = store.add(message);
+            const request = store.add(record);
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
@@ -265,40 +446,96 @@ class ChatDatabase {
 
     // 更新消息（例如标记已读、收藏）
     async updateMessage(messageId, updates) {
+        return this.updateRecord('messages', messageId, updates, '消息不存在');
+    }
+
+    // 批量追加消息（导入用），id 已存在的跳过，返回实际写入条数
+    async addMessages(sessionId, messages) {
+        if (!this.db) await this.open();
+        const records = await Promise.all(messages.map(msg => {
+            const item = { ...msg, sessionId };
+            if (!item.id) {
+                item.id = `${sessionId}_msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            }
+            return this.seal('messages', item);
+        }));
+        const tx = this.db.transaction('messages', 'readwrite');
+        const store = tx.objectStore('messages');
+        let added = 0;
+
+        records.forEach(record => {
+            const request = store.add(record);
+            request.onsuccess = () => added++;
+            request.onerror = (event) => {
+                // 重复 id 不中断整个事务
+                event.preventDefault();
+                event.stopPropagation();
+            };
+        });
+
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve(added);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    // 批量删除消息（归档用）
+    async deleteMessages(messageIds) {
         if (!this.db) await this.open();
         const tx = this.db.transaction('messages', 'readwrite');
         const store = tx.objectStore('messages');
+        messageIds.forEach(id => store.delete(id));
         return new Promise((resolve, reject) => {
-            const getRequest = store.get(messageId);
-            getRequest.onsuccess = () => {
-                const message = getRequest.result;
-                if (message) {
-                    const updatedMessage = { ...message, ...updates };
-                    const putRequest = store.put(updatedMessage);
-                    putRequest.onsuccess = () => resolve();
-                    putRequest.onerror = () => reject(putRequest.error);
-                } else {
-                    reject(new Error('消息不存在'));
-                }
-            };
-            getRequest.onerror = () => reject(getRequest.error);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    // 删除单条消息
+    async deleteMessage(messageId) {
+        if (!this.db) await this.open();
+        const tx = this.db.transaction('messages', 'readwrite');
+        const store = tx.objectStore('messages');
+        return new Promise((resolve, reject) => {
+            const request = store.delete(messageId);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // 清空会话的全部消息
+    async clearMessages(sessionId) {
+        if (!this.db) await this.open();
+        const tx = this.db.transaction('messages', 'readwrite');
+        const index = tx.objectStore('messages').index('sessionId');
+        const request = index.openCursor(IDBKeyRange.only(sessionId));
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
         });
     }
 
     // 保存资源（头像、表情包、背景图）
     async saveResource(sessionId, type, key, data) {
         if (!this.db) await this.open();
-        const tx = this.db.transaction('resources', 'readwrite');
-        const store = tx.objectStore('resources');
         const id = `${sessionId}_${type}_${key}`;
-        const item = { 
+        const item = await this.seal('resources', { 
             id, 
             sessionId, 
             type, 
             key, 
             data, 
             timestamp: Date.now() 
-        };
+        });
+        const tx = this.db.transaction('resources', 'readwrite');
+        const store = tx.objectStore('resources');
         return new Promise((resolve, reject) => {
             const request = store.put(item);
             request.onsuccess = () => resolve();
@@ -312,11 +549,12 @@ class ChatDatabase {
         const tx = this.db.transaction('resources', 'readonly');
         const store = tx.objectStore('resources');
         const id = `${sessionId}_${type}_${key}`;
-        return new Promise((resolve, reject) => {
+        const item = await new Promise((resolve, reject) => {
             const request = store.get(id);
-            request.onsuccess = () => resolve(request.result ? request.result.data : null);
+            request.onsuccess = () => resolve(request.result || null);
             request.onerror = () => reject(request.error);
         });
+        return item ? (await this.unseal(item)).data : null;
     }
 
     // 删除资源
@@ -338,24 +576,85 @@ class ChatDatabase {
         const tx = this.db.transaction('resources', 'readonly');
         const store = tx.objectStore('resources');
         const index = store.index('sessionId_type');
-        return new Promise((resolve, reject) => {
+        const results = await new Promise((resolve, reject) => {
             const request = index.getAll([sessionId, type]);
-            request.onsuccess = () => {
-                const results = request.result || [];
-                // 按时间倒序排序
-                results.sort((a, b) => b.timestamp - a.timestamp);
-                resolve(results.map(r => r.data));
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+        // 按时间倒序排序
+        results.sort((a, b) => b.timestamp - a.timestamp);
+        return (await this.unsealAll(results)).map(r => r.data);
+    }
+
+    // 存入媒体，hash 已存在就不再写（内容相同即同一份）
+    async putMedia(record) {
+        if (!this.db) await this.open();
+        const item = await this.seal('media', record);
+        const tx = this.db.transaction('media', 'readwrite');
+        const store = tx.objectStore('media');
+        return new Promise((resolve, reject) => {
+            const request = store.add(item);
+            request.onsuccess = () => resolve(true);
+            request.onerror = (event) => {
+                if (request.error?.name === 'ConstraintError') {
+                    event.preventDefault();
+                    resolve(false);
+                } else {
+                    reject(request.error);
+                }
             };
+        });
+    }
+
+    // 按 hash 取媒体
+    async getMedia(hash) {
+        if (!this.db) await this.open();
+        const tx = this.db.transaction('media', 'readonly');
+        const store = tx.objectStore('media');
+        const record = await new Promise((resolve, reject) => {
+            const request = store.get(hash);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+        return this.unseal(record);
+    }
+
+    // 更新媒体的元数据（例如标记已压过）
+    async updateMedia(hash, updates) {
+        return this.updateRecord('media', hash, updates, '媒体不存在');
+    }
+
+    // 全部媒体记录（blob 是惰性引用，不会一次读进内存；加密的只解元数据，没有 blob，要内容再 getMedia）
+    async listMedia() {
+        if (!this.db) await this.open();
+        const tx = this.db.transaction('media', 'readonly');
+        const store = tx.objectStore('media');
+        const records = await new Promise((resolve, reject) => {
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result || []);
             request.onerror = () => reject(request.error);
         });
+        return Promise.all(records.map(r => this.unseal(r, false)));
+    }
+
+    // 批量删除媒体
+    async deleteMedia(hashes) {
+        if (!this.db) await this.open();
+        const tx = this.db.transaction('media', 'readwrite');
+        const store = tx.objectStore('media');
+        hashes.forEach(hash => store.delete(hash));
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
     }
 
     // 保存设置
     async saveSettings(sessionId, settings) {
         if (!this.db) await this.open();
+        const item = await this.seal('settings', { sessionId, ...settings });
         const tx = this.db.transaction('settings', 'readwrite');
         const store = tx.objectStore('settings');
-        const item = { sessionId, ...settings };
         return new Promise((resolve, reject) => {
             const request = store.put(item);
             request.onsuccess = () => resolve();
@@ -368,16 +667,24 @@ class ChatDatabase {
         if (!this.db) await this.open();
         const tx = this.db.transaction('settings', 'readonly');
         const store = tx.objectStore('settings');
-        return new Promise((resolve, reject) => {
+        const item = await new Promise((resolve, reject) => {
             const request = store.get(sessionId);
             request.onsuccess = () => resolve(request.result || null);
             request.onerror = () => reject(request.error);
         });
+        return this.unseal(item);
     }
 
     // 保存自定义回复
     async saveCustomReplies(sessionId, replies) {
         if (!this.db) await this.open();
+        const items = await Promise.all(replies.map((reply, idx) => this.seal('customReplies', {
+            id: `${sessionId}_reply_${Date.now()}_${idx}`,
+            sessionId,
+            text: reply.text,
+            enabled: reply.enabled !== false,
+            timestamp: Date.now()
+        })));
         const tx = this.db.transaction('customReplies', 'readwrite');
         const store = tx.objectStore('customReplies');
 
@@ -398,16 +705,7 @@ class ChatDatabase {
         });
 
         // 插入新的
-        replies.forEach((reply, idx) => {
-            const item = {
-                id: `${sessionId}_reply_${Date.now()}_${idx}`,
-                sessionId,
-                text: reply.text,
-                enabled: reply.enabled !== false,
-                timestamp: Date.now()
-            };
-            store.add(item);
-        });
+        items.forEach(item => store.add(item));
 
         return new Promise((resolve, reject) => {
             tx.oncomplete = () => resolve();
@@ -421,24 +719,32 @@ class ChatDatabase {
         const tx = this.db.transaction('customReplies', 'readonly');
         const store = tx.objectStore('customReplies');
         const index = store.index('sessionId');
-        return new Promise((resolve, reject) => {
+        const replies = await new Promise((resolve, reject) => {
             const request = index.getAll(IDBKeyRange.only(sessionId));
-            request.onsuccess = () => {
-                const replies = request.result || [];
-                // 过滤启用的回复并按时间倒序
-                const enabledReplies = replies
-                    .filter(r => r.enabled !== false)
-                    .sort((a, b) => b.timestamp - a.timestamp)
-                    .map(r => ({ text: r.text, id: r.id }));
-                resolve(enabledReplies);
-            };
+            request.onsuccess = () => resolve(request.result || []);
             request.onerror = () => reject(request.error);
         });
+        // 过滤启用的回复并按时间倒序
+        return (await this.unsealAll(replies))
+            .filter(r => r.enabled !== false)
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .map(r => ({ text: r.text, id: r.id }));
     }
 
     // 保存纪念日
     async saveAnniversaries(sessionId, anniversaries) {
         if (!this.db) await this.open();
+        const items = await Promise.all(anniversaries.map((ann, idx) => this.seal('anniversaries', {
+            id: `${sessionId}_ann_${Date.now()}_${idx}`,
+            sessionId,
+            name: ann.name,
+            date: ann.date,
+            type: ann.type || 'anniversary',
+            recurring: ann.recurring !== false,
+            message: ann.message || '',
+            lastFired: ann.lastFired || '',
+            createdAt: Date.now()
+        })));
         const tx = this.db.transaction('anniversaries', 'readwrite');
         const store = tx.objectStore('anniversaries');
 
@@ -459,17 +765,7 @@ class ChatDatabase {
         });
 
         // 插入新的
-        anniversaries.forEach((ann, idx) => {
-            const item = {
-                id: `${sessionId}_ann_${Date.now()}_${idx}`,
-                sessionId,
-                name: ann.name,
-                date: ann.date,
-                type: ann.type || 'anniversary',
-                createdAt: Date.now()
-            };
-            store.add(item);
-        });
+        items.forEach(item => store.add(item));
 
         return new Promise((resolve, reject) => {
             tx.oncomplete = () => resolve();
@@ -483,19 +779,92 @@ class ChatDatabase {
         const tx = this.db.transaction('anniversaries', 'readonly');
         const store = tx.objectStore('anniversaries');
         const index = store.index('sessionId');
-        return new Promise((resolve, reject) => {
+        const anniversaries = await this.unsealAll(await new Promise((resolve, reject) => {
             const request = index.getAll(IDBKeyRange.only(sessionId));
-            request.onsuccess = () => {
-                const anniversaries = request.result || [];
-                // 按日期排序
-                anniversaries.sort((a, b) => new Date(a.date) - new Date(b.date));
-                resolve(anniversaries.map(r => ({
-                    name: r.name,
-                    date: r.date,
-                    type: r.type || 'anniversary'
-                })));
-            };
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        }));
+        // 按日期排序
+        anniversaries.sort((a, b) => new Date(a.date) - new Date(b.date));
+        return anniversaries.map(r => ({
+            name: r.name,
+            date: r.date,
+            type: r.type || 'anniversary',
+            recurring: r.recurring !== false,
+            message: r.message || '',
+            lastFired: r.lastFired || ''
+        }));
+    }
+
+    // 开关应用锁时把整库重新加密或解回明文。每批单独一个事务，已经是目标状态的记录跳过，
+    // 所以中途关掉页面，下次解锁后接着跑就行。onProgress(done, total)
+    // 和 updateRecord 一样，写的时候在写事务里再读一次，中间被改过的记录（定时消息、已读、别的页面）重读重做，不拿旧数据盖掉
+    async resealAll(encrypt, onProgress) {
+        if (!this.db) await this.open();
+        const storeNames = Object.keys(PLAIN_FIELDS);
+        const keysByStore = {};
+        for (const storeName of storeNames) {
+            keysByStore[storeName] = await new Promise((resolve, reject) => {
+                const request = this.db.transaction(storeName, 'readonly').objectStore(storeName).getAllKeys();
+                request.onsuccess = () => resolve(request.result || []);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        const total = storeNames.reduce((n, name) => n + keysByStore[name].length, 0);
+        let done = 0;
+        for (const storeName of storeNames) {
+            const keys = keysByStore[storeName];
+            for (let i = 0; i < keys.length; i += 100) {
+                const batch = keys.slice(i, i + 100);
+                let pending = batch;
+                while (pending.length) {
+                    const rows = await new Promise((resolve, reject) => {
+                        const tx = this.db.transaction(storeName, 'readonly');
+                        const store = tx.objectStore(storeName);
+                        const results = [];
+                        pending.forEach((key, idx) => {
+                            const request = store.get(key);
+                            request.onsuccess = () => { results[idx] = request.result; };
+                        });
+                        tx.oncomplete = () => resolve(results);
+                        tx.onerror = () => reject(tx.error);
+                    });
+                    const changes = [];
+                    for (const [idx, row] of rows.entries()) {
+                        if (!row || !!row.sealed === encrypt) continue;
+                        const plain = await this.unseal(row);
+                        changes.push({ key: pending[idx], row, record: encrypt ? await this.seal(storeName, plain) : plain });
+                    }
+                    pending = await new Promise((resolve, reject) => {
+                        const tx = this.db.transaction(storeName, 'readwrite');
+                        const store = tx.objectStore(storeName);
+                        const stale = [];
+                        changes.forEach(({ key, row, record }) => {
+                            const request = store.get(key);
+                            request.onsuccess = () => {
+                                if (JSON.stringify(request.result) !== JSON.stringify(row)) return stale.push(key);
+                                store.put(record);
+                            };
+                        });
+                        tx.oncomplete = () => resolve(stale);
+                        tx.onerror = () => reject(tx.error);
+                    });
+                }
+                done += batch.length;
+                if (onProgress) onProgress(done, total);
+            }
+        }
+    }
+
+    // 删除整个数据库（忘记口令时重置用）。别的页面还占着连接、又没让出来时报错，不当作删掉了
+    async destroy() {
+        if (this.db) this.db.close();
+        this.db = null;
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(this.dbName);
+            request.onsuccess = () => resolve();
             request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('数据库被其他页面占用，请关掉其他页面后再试'));
         });
     }
 
@@ -505,7 +874,7 @@ class ChatDatabase {
         const stats = {};
         
         // 统计各表数据量
-        const tables = ['sessions', 'messages', 'resources', 'settings', 'customReplies', 'anniversaries'];
+        const tables = ['sessions', 'messages', 'media', 'resources', 'settings', 'customReplies', 'anniversaries'];
         
         for (const table of tables) {
             const tx = this.db.transaction(table, 'readonly');
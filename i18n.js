@@ -0,0 +1,1094 @@
+// i18n.js - 界面文案目录
+// 按功能分组，t('settings.title') 取当前语言的 settings.title；文案里的 {name} 由参数填入。
+// 英文要分单复数的写成 [单数, 复数]，按参数 n 选。当前语言缺的键退回简体中文，再没有就显示键名本身
+const LOCALES = { 'zh-CN': '简体中文', en: 'English' };
+
+const MESSAGES = {
+    'zh-CN': {
+        // 应用
+        app: {
+            name: '静语',
+            installHint: '安装到桌面，随时使用',
+            install: '安 装',
+            installIos: '点击分享按钮 → 添加到主屏幕'
+        },
+        // 通用
+        common: {
+            edit: '编辑',
+            loading: '加载中…',
+            cancel: '取消',
+            apply: '应用',
+            nothing: '空无一物',
+            export: '导出',
+            save: '保存',
+            add: '添加',
+            delete: '删除',
+            import: '导入',
+            importFailed: '导入失败：{error}',
+            exportFailed: '导出失败：{error}',
+            colon: '：',
+            ok: '确定'
+        },
+        // 资料
+        profile: {
+            me: '我',
+            them: '对方',
+            renamePrompt: '修改昵称：',
+            renameMe: '修改我的昵称：',
+            renameGroup: '修改群昵称：',
+            renameThem: '修改对方昵称：',
+            avatarConfirm: '是否上传新头像图片？'
+        },
+        // 聊天
+        chat: {
+            typing: '输入中',
+            memberTyping: '{name} 正在输入',
+            empty: '留 白',
+            recalledByMe: '你撤回了一条消息',
+            recalledBy: '{name}撤回了一条消息',
+            reedit: '重新编辑',
+            quoteImage: '📷 图片',
+            quoteVoice: '🎤 语音',
+            quoteRecalled: '消息已撤回',
+            original: '原文：{text}',
+            edited: '已编辑',
+            star: '收藏',
+            unstar: '取消收藏',
+            react: '回应',
+            recall: '撤回',
+            jumpLatest: '回到最新',
+            jumpLatestNew: '{n} 条新消息',
+            quote: '引用',
+            today: '今 日',
+            yesterday: '昨 日'
+        },
+        // 输入栏
+        input: {
+            image: '发送图片',
+            holdToTalk: '按住说话',
+            placeholder: '书写...',
+            triggerReply: '让对方说话',
+            send: '发送'
+        },
+        // 消息摘要
+        preview: {
+            recalled: '[已撤回]',
+            image: '[图片]',
+            voice: '[语音]'
+        },
+        // 通知
+        notify: {
+            unsupported: '您的浏览器不支持通知功能',
+            alreadyOn: '🔔 通知已开启，后台收到消息会提醒你',
+            turnedOn: '🔔 通知已开启！',
+            fallback: '你有新消息'
+        },
+        // 更新
+        update: {
+            available: '有新版本',
+            reload: '刷新',
+            later: '稍后'
+        },
+        // 语音
+        voice: {
+            releaseCancel: '松开取消',
+            slideCancel: '上滑取消',
+            unsupported: '当前浏览器不支持录音',
+            micError: '无法使用麦克风：{error}',
+            tooShort: '说话时间太短',
+            tooLarge: '「{names}」超过 2MB，已跳过'
+        },
+        // 字卡
+        replies: {
+            defaultGroup: '我的回复',
+            emojiGroup: '表情库',
+            title: '逻辑库',
+            enableGroup: '启用分组',
+            disableGroup: '停用分组',
+            createGroup: '+ 新建分组',
+            searchPlaceholder: '搜索字卡...',
+            multiSelect: '多选',
+            dedup: '去重',
+            moveTo: '移动到...',
+            move: '移动',
+            sticker: '表情包',
+            sequence: '连发',
+            rules: '触发规则',
+            addPlaceholder: '添加新字卡...',
+            uploadStickers: '上传表情包（可多选）',
+            uploadVoices: '上传语音（可多选）',
+            confirmEdit: '确认编辑这条字卡？',
+            confirmEditOk: '确认编辑',
+            groupPrompt: '输入新分组名称：',
+            deleteGroupConfirm: '删除此组及其所有内容？',
+            dedupDone: '✅ 去重完成！',
+            imported: '✅ 已追加 {n} 条到「{group}」',
+            importEmpty: '🤔 文件中未找到有效内容。',
+            importFailed: '❌ 导入失败：{error}'
+        },
+        // 触发规则
+        rules: {
+            keywords: '关键词（逗号分隔，命中任一）',
+            keywordsPlaceholder: '晚安，睡了',
+            regex: '正则',
+            msgType: '我发的是',
+            anyType: '不限',
+            timeRange: '时间段',
+            weight: '权重',
+            separator: '，',
+            badRegex: '❌ 正则无效：{error}',
+            regexPlaceholder: '^(在吗|在不在)'
+        },
+        // 连发
+        sequence: {
+            hint: '秒数为该条「输入中」的时长，留空则按偏好里的延迟随机',
+            seconds: '秒',
+            quoteRandom: '随机引用',
+            quoteTrigger: '引用我',
+            quoteNone: '不引用',
+            quotePrevious: '引用上条',
+            textPlaceholder: '说点什么...',
+            addText: '+ 文字',
+            addImages: '+ 图片',
+            followBefore: '我',
+            followAfter: '秒没回就追问',
+            followPlaceholder: '人呢？'
+        },
+        // 群成员
+        members: {
+            remove: '退出群聊',
+            activity: '活跃度',
+            typing: '打字',
+            personaPlaceholder: '留空则用回复来源里的人设',
+            allGroups: '未选时从全部分组抽',
+            add: '+ 添加成员',
+            hint: '发消息时 @ 某人，就由被 @ 的人依次回复；没有 @ 时按活跃度决定谁接话、有几个人接话。',
+            namePrompt: '新成员昵称：',
+            removeConfirm: '让「{name}」退出群聊？以前的消息会保留。'
+        },
+        // 活跃度
+        activity: {
+            lurker: '潜水',
+            occasional: '偶尔',
+            normal: '正常',
+            active: '活跃',
+            chatty: '话痨'
+        },
+        // 回复来源
+        provider: {
+            cards: '字卡',
+            openai: 'OpenAI 兼容接口',
+            cardsHint: '从字卡库里按规则和权重随机抽取。',
+            openaiHint: '调用兼容 OpenAI chat/completions 的接口，本地的 Ollama、LM Studio 等也可以。出错或超时会自动改用字卡。',
+            endpoint: '接口地址',
+            apiKey: 'API Key（可留空，不会写进备份）',
+            model: '模型',
+            persona: '人设',
+            personaPlaceholder: '比如：你是{name}，二十岁，说话懒洋洋的，爱用语气词。',
+            temperature: '温度',
+            timeout: '超时（秒）',
+            history: '带上最近几条',
+            lastError: '上次失败：{error}',
+            testing: '连接中…',
+            test: '测试连接',
+            noEndpoint: '没有填写接口地址',
+            httpError: '接口返回 {status}',
+            emptyReply: '接口没有返回内容',
+            timedOut: '超过 {n} 秒没有回复',
+            testOk: '✅ 接口可用\n{reply}',
+            testEmpty: '（返回了空内容）',
+            requestTimeout: '请求超时',
+            testFailed: '❌ 连接失败：{error}',
+            personaSolo: '你叫「{name}」，正在用手机和「{me}」聊天。',
+            personaGroup: '你叫「{name}」，正在用手机和「{me}」聊天，这是一个叫「{group}」的群。',
+            personaGroupOthers: '你叫「{name}」，正在用手机和「{me}」聊天，这是一个叫「{group}」的群，群里还有{others}。',
+            nameSeparator: '、',
+            personaStyle: '像发消息一样说话：口语、简短，一次说一到三句；想分几条发就换行。不要加引号、动作描写，也不要写自己的名字。',
+            testPing: '在吗？'
+        },
+        // 会话
+        sessions: {
+            title: '会话',
+            create: '+ 新建会话',
+            createGroup: '+ 新建群聊',
+            namePrompt: '新会话的对方昵称：',
+            groupNamePrompt: '群聊名称：',
+            groupName: '群聊',
+            membersPrompt: '成员昵称，用空格隔开：',
+            membersSample: '小A 小B',
+            renamePrompt: '重命名会话：',
+            deleteConfirm: '删除会话「{name}」及其全部聊天记录？'
+        },
+        // 搜索
+        search: {
+            placeholder: '搜索聊天记录...',
+            allSenders: '全部人',
+            allTypes: '全部类型',
+            typeText: '文字',
+            typeImage: '图片',
+            typeVoice: '语音',
+            quotedOnly: '含引用',
+            indexing: '索引中…',
+            truncated: '共 {n} 条，仅显示最近 {shown} 条'
+        },
+        // 收藏
+        favorites: {
+            placeholder: '搜索收藏...',
+            promoteTo: '收进',
+            voice: '语音 {duration}',
+            promoted: '已在字卡',
+            promote: '收进字卡',
+            needGroup: '请先选择字卡分组'
+        },
+        // 截图
+        shot: {
+            byDate: '按日期选',
+            selected: '已选 {n}',
+            privacyNone: '原样显示',
+            privacyBlur: '模糊头像和昵称',
+            privacyReplace: '替换为"我 / TA"',
+            render: '生成',
+            title: '截图',
+            count: '{n} 张',
+            share: '分享',
+            limit: '一次最多截取 {n} 条',
+            needFrom: '请选择开始日期',
+            badRange: '结束日期不能早于开始日期',
+            truncated: '这段时间消息较多，只取前 {n} 条',
+            aliasMember: '成员 {n}',
+            aliasMe: '我',
+            aliasThem: 'TA',
+            noRenderer: '截图组件未加载，请联网后重试',
+            needSelection: '请先选择消息',
+            tooLarge: '图片过大',
+            failed: '截图失败：{error}',
+            shareFailed: '分享失败：{error}'
+        },
+        // 统计
+        stats: {
+            title: '统计',
+            last7: '近 7 天',
+            last30: '近 30 天',
+            lastYear: '近一年',
+            all: '全部',
+            loading: '统计中…',
+            empty: '这段时间没有消息',
+            between: '{me} 与 {them}',
+            total: '条消息',
+            activeDays: '天有聊天',
+            streak: '天最长连续',
+            streakRange: '最长连续：{from} ~ {to}',
+            messages: '{n} 条',
+            chars: '{n} 字',
+            daily: '每日消息',
+            dailyMax: '单日最多 {n} 条',
+            heat: '活跃时段',
+            heatCell: '{day} {hour} 点：{n} 条',
+            hour: '{hour} 点',
+            replyThem: '{name} 平均多久回我',
+            replyMe: '我平均多久回 {name}',
+            words: '常用词',
+            emojis: '常用表情',
+            cards: '最常抽到的字卡',
+            cardCount: '{n} 次',
+            gapSeconds: '{n} 秒',
+            gapMinutes: '{n} 分钟',
+            gapHours: '{h} 小时 {m} 分'
+        },
+        // 纪念日
+        anniversaries: {
+            yearly: ' · 每年',
+            today: '就是今天',
+            inDays: '{n} 天后',
+            past: '已过',
+            empty: '还没有纪念日',
+            namePlaceholder: '名称，如：第一次聊天',
+            recurring: '每年重复',
+            messagePlaceholder: '当天对方发的话，{years} 会换成周年数',
+            together: '在一起',
+            birthday: '生日',
+            anniversary: '纪念日',
+            daysTogether: '在一起的第 {n} 天',
+            isToday: '今天是「{name}」',
+            countdown: '距「{name}」还有 {n} 天',
+            needNameDate: '请填写名称和日期',
+            deleteConfirm: '删除「{name}」？'
+        },
+        // 定时消息
+        schedules: {
+            quiet: '免打扰',
+            fromCards: '从字卡库里抽',
+            empty: '还没有日程',
+            morning: '早安',
+            night: '晚安',
+            daily: '每天',
+            times: '条',
+            idleHours: '小时没聊天',
+            textPlaceholder: '对方说的话，一行一条随机挑；留空则从字卡库里抽',
+            kindFixed: '定时',
+            kindRandom: '随机',
+            kindIdle: '久未联系',
+            needTime: '请选择时间',
+            needRange: '请选择时间段',
+            deleteConfirm: '删除这条日程？',
+            describeFixed: '每天 {time}',
+            describeRandom: '{from}-{to} 随机 {n} 条',
+            describeIdle: '{n} 小时没聊天'
+        },
+        // 设置
+        settings: {
+            title: '偏好',
+            identity: '身份与显示',
+            myProfile: '我的资料',
+            groupProfile: '群资料',
+            theirProfile: '对方资料',
+            members: '群成员',
+            memberCount: '{n} 人',
+            avatar: '头像',
+            nickname: '昵称',
+            behavior: '交互与行为',
+            notifications: '后台消息通知',
+            notifOn: '✓ 已开启',
+            notifEnable: '点击开启',
+            sound: '消息音效',
+            replyDelay: '自动回复延迟 (秒)',
+            provider: '回复来源',
+            providerFailed: '连接失败 ·',
+            activeMsg: '允许对方主动发消息',
+            schedules: '日程',
+            scheduleCount: '{n} 条',
+            anniversaries: '纪念日',
+            anniversaryCount: '{n} 个',
+            appearance: '外观定制',
+            language: '语言',
+            theme: '主题',
+            customTheme: '自定义',
+            avatarRadius: '头像圆角',
+            background: '背景图片',
+            pickBackground: '📷 选择背景图片',
+            clearBackground: '✕ 清除背景',
+            customCSS: '自定义气泡 CSS',
+            cssIgnored: '已忽略 {n} 处不安全或超出气泡范围的写法',
+            storage: '存储空间',
+            storageHint: '统计与整理',
+            appLock: '应用锁',
+            appLockOn: '已开启 · 数据已加密',
+            appLockOff: '未开启',
+            exportChat: '导出记录',
+            importChat: '导入记录',
+            backup: '备份',
+            restore: '恢复',
+            clearAll: '清空所有',
+            clearConfirm: '将彻底清空聊天记录，确认吗？'
+        },
+        // 主题
+        theme: {
+            previewThem: '今天过得怎么样？',
+            previewMe: '还不错，刚下班',
+            untitled: '未命名',
+            light: '浅色',
+            dark: '深色',
+            system: '跟随系统',
+            mode: '明暗',
+            font: '字体',
+            bubbleMe: '我的气泡',
+            bubbleThem: '对方气泡',
+            fill: '底色',
+            textColor: '文字',
+            radius: '圆角',
+            page: '页面',
+            resetLight: '恢复浅色默认配色',
+            resetDark: '恢复深色默认配色',
+            saveAs: '存为主题',
+            exportFile: '导出主题文件',
+            importFile: '导入主题文件',
+            surface: '面板',
+            muted: '次要文字',
+            border: '分隔线',
+            fontSerif: '宋体',
+            fontSans: '黑体',
+            fontKai: '楷体',
+            fontMono: '等宽',
+            namePrompt: '主题名称：',
+            defaultName: '我的主题',
+            deleteConfirm: '删除主题「{name}」？',
+            invalidFile: '不是静语的主题文件',
+            tooNew: '主题文件版本过新，请先更新应用',
+            importedName: '导入的主题',
+            presetPlain: '素白',
+            presetNight: '墨夜',
+            presetAuto: '随系统',
+            presetSakura: '樱粉',
+            presetCeladon: '青瓷'
+        },
+        // 存储空间
+        storage: {
+            used: '已用 {size}',
+            quota: '浏览器允许 {size}',
+            sessions: '{n} 个会话',
+            messages: '{n} 条消息',
+            media: '{n} 个媒体文件',
+            scanning: '正在统计…',
+            itemMessages: '{n} 条',
+            itemFiles: '{n} 个',
+            approx: '约 {size}',
+            shared: '重复使用的图片和语音只存一份，省下约 {size}',
+            compress: '重新压缩大图',
+            compressable: '{n} 张可压缩，约省 {size}',
+            compressNone: '没有需要压缩的图片',
+            compressButton: '压缩',
+            purge: '清理无用媒体',
+            orphans: '{n} 个文件没有任何地方用到，约省 {size}',
+            orphansNone: '没有无用的媒体',
+            purgeButton: '清理',
+            archivable: '{n} 条（收藏的保留），约省 {size}',
+            archiveNone: '没有可归档的消息',
+            archiveButton: '归档',
+            archiveHint: '归档会先下载一个归档文件再删除，之后可以在设置里用「恢复 → 合并」导回。',
+            catText: '消息文字',
+            catImage: '聊天图片',
+            catVoice: '语音',
+            catReplies: '字卡与设置',
+            catAppearance: '头像与背景',
+            catOrphan: '未引用的媒体',
+            archive90: '三个月前',
+            archive180: '半年前',
+            archive365: '一年前',
+            archiveBefore: '归档',
+            archiveAfter: '的消息',
+            compressConfirm: '重新压缩 {n} 张图片？画质会略有下降，无法撤销',
+            compressFailed: '压缩失败：{error}',
+            purgeConfirm: '删除 {n} 个没有任何地方用到的媒体文件？',
+            purgeFailed: '清理失败：{error}',
+            archiveConfirm: '把{when}的 {n} 条消息导出为归档文件，并从本机删除？收藏的消息会保留。',
+            archiveFailed: '归档失败：{error}'
+        },
+        // 应用锁
+        lock: {
+            graceNow: '立即',
+            grace1: '1 分钟',
+            grace5: '5 分钟',
+            grace30: '30 分钟',
+            intro: '开启后每次打开、从后台回来都要输入口令；聊天记录、图片、设置都会用口令加密后再存到本机。排序用的时间戳等少量字段仍是明文。',
+            warning: '口令不会保存在任何地方，也没有找回办法。忘记口令 = 全部聊天数据永久丢失，只能清空重来。开启前建议先做一次备份。',
+            passcode: '口令（至少 {n} 位）',
+            confirm: '再输一次',
+            encrypting: '加密中… {progress}',
+            enable: '开启并加密现有数据',
+            grace: '离开多久后重新锁定',
+            change: '修改口令',
+            disable: '关闭应用锁',
+            current: '当前口令',
+            newPasscode: '新口令（至少 {n} 位）',
+            disableHint: '关闭后全部数据会解密回明文存储。',
+            working: '处理中… {progress}',
+            disableConfirm: '关闭并解密',
+            enterPasscode: '输入口令',
+            resuming: '继续迁移 {progress}',
+            unlocking: '解锁中…',
+            unlock: '解锁',
+            forgot: '忘记口令',
+            sealed: '数据已加密，请先解锁',
+            wrong: '口令不对',
+            unlockFailed: '解锁失败：{error}',
+            tooShort: '口令至少 {n} 位',
+            mismatch: '两次输入的口令不一致',
+            unsupported: '当前环境不支持加密（需要通过 HTTPS 或 localhost 打开）',
+            wrongOld: '原口令不对',
+            enabled: '应用锁已开启，数据已加密',
+            changed: '口令已修改',
+            disabled: '应用锁已关闭，数据已恢复为明文',
+            failed: '操作失败：{error}',
+            forgetConfirm: '忘记口令就无法解开已加密的数据。要删除全部聊天数据、重新开始吗？',
+            forgetConfirmAgain: '再确认一次：所有会话、消息、图片和设置都会被永久删除，无法撤销',
+            resetBlocked: '还有其他页面开着本应用，数据没能清空。请关掉其他页面后再试。'
+        },
+        // 备份与恢复
+        restore: {
+            title: '恢复备份',
+            exportedAt: '备份于 {time}',
+            mergeHint: '合并：保留现有数据，只补上缺少的会话、消息、字卡和纪念日。',
+            replaceHint: '覆盖：清空现有全部数据后再导入。',
+            merge: '合并',
+            replace: '覆盖',
+            notBackup: '不是静语的备份文件',
+            tooNew: '备份版本 v{version} 比当前应用（v{current}）新，请先更新应用',
+            noSessions: '备份里没有会话数据',
+            unreadable: '❌ 无法读取备份：{error}',
+            replaceConfirm: '将清空现有全部会话和聊天记录，再导入备份，确认覆盖吗？',
+            interrupted: '❌ 恢复中断：{error}',
+            done: '✅ 恢复完成',
+            doneSessions: '新增会话 {n} 个',
+            doneMessages: '导入消息 {n} 条',
+            doneReplies: '字卡 {n} 张',
+            doneAnniversaries: '纪念日 {n} 个',
+            doneSkipped: '跳过无效消息 {n} 条'
+        },
+        // 导出记录（导入时两种语言的标记都认）
+        export: {
+            recalled: '[已撤回]',
+            image: '[图片]',
+            voice: '[语音 {duration}]',
+            edited: '（已编辑，原文：{original}）',
+            reactions: ' [回应 {list}]',
+            context: '    ↳ 上文 {line}'
+        },
+        // 导入聊天记录
+        import: {
+            skip: '忽略',
+            title: '导入聊天记录',
+            unparsed: '{n} 行无法识别，不会导入',
+            whoIsWho: '谁是谁',
+            swap: '对调',
+            preview: '预览',
+            showUnparsed: '查看无法识别的行',
+            hint: '并入当前会话，按时间排好；和已有消息重复的（同一人、同一分钟、同样内容）会跳过。图片和语音只能以文字占位导入。',
+            formatBlock: '微信 / QQ 分段格式',
+            formatLine: '[时间] 名字: 内容',
+            nothing: '🤔 没有认出任何消息。\n支持本应用导出的记录、[时间] 名字: 内容，以及微信 / QQ 的文本导出。',
+            nothingUnparsed: '🤔 没有认出任何消息，{n} 行无法识别。\n支持本应用导出的记录、[时间] 名字: 内容，以及微信 / QQ 的文本导出。',
+            needSpeaker: '请至少指定一个人',
+            interrupted: '❌ 导入中断：{error}',
+            done: '✅ 导入 {n} 条消息',
+            doneDuplicate: '跳过已有的 {n} 条',
+            doneIgnored: '忽略未指定的人 {n} 条',
+            lineSeparator: '、',
+            doneUnparsed: '无法识别 {n} 行（第 {lines} 行）',
+            doneUnparsedMore: '无法识别 {n} 行（第 {lines} 等行）'
+        }
+    },
+    en: {
+        app: {
+            name: 'Jingyu',
+            installHint: 'Install to your home screen',
+            install: 'Install',
+            installIos: 'Tap Share → Add to Home Screen'
+        },
+        common: {
+            edit: 'Edit',
+            loading: 'Loading…',
+            cancel: 'Cancel',
+            apply: 'Apply',
+            nothing: 'Nothing here',
+            export: 'Export',
+            save: 'Save',
+            add: 'Add',
+            delete: 'Delete',
+            import: 'Import',
+            importFailed: 'Import failed: {error}',
+            exportFailed: 'Export failed: {error}',
+            colon: ': ',
+            ok: 'OK'
+        },
+        profile: {
+            me: 'Me',
+            them: 'Them',
+            renamePrompt: 'Change name:',
+            renameMe: 'Change my name:',
+            renameGroup: 'Change group name:',
+            renameThem: 'Change their name:',
+            avatarConfirm: 'Upload a new avatar?'
+        },
+        chat: {
+            typing: 'typing',
+            memberTyping: '{name} is typing',
+            empty: 'N O T H I N G  Y E T',
+            recalledByMe: 'You recalled a message',
+            recalledBy: '{name} recalled a message',
+            reedit: 'Edit again',
+            quoteImage: '📷 Photo',
+            quoteVoice: '🎤 Voice',
+            quoteRecalled: 'Message recalled',
+            original: 'Original: {text}',
+            edited: 'edited',
+            star: 'Star',
+            unstar: 'Unstar',
+            react: 'React',
+            recall: 'Recall',
+            jumpLatest: 'Back to latest',
+            jumpLatestNew: ['{n} new message', '{n} new messages'],
+            quote: 'Quote',
+            today: 'Today',
+            yesterday: 'Yesterday'
+        },
+        input: {
+            image: 'Send photo',
+            holdToTalk: 'Hold to talk',
+            placeholder: 'Write...',
+            triggerReply: 'Let them talk',
+            send: 'Send'
+        },
+        preview: {
+            recalled: '[Recalled]',
+            image: '[Photo]',
+            voice: '[Voice]'
+        },
+        notify: {
+            unsupported: 'This browser does not support notifications',
+            alreadyOn: '🔔 Notifications are on; you will be alerted to messages in the background',
+            turnedOn: '🔔 Notifications turned on!',
+            fallback: 'You have a new message'
+        },
+        update: {
+            available: 'Update available',
+            reload: 'Reload',
+            later: 'Later'
+        },
+        voice: {
+            releaseCancel: 'Release to cancel',
+            slideCancel: 'Slide up to cancel',
+            unsupported: 'This browser cannot record audio',
+            micError: 'Cannot use the microphone: {error}',
+            tooShort: 'Too short',
+            tooLarge: '"{names}" exceeded 2MB and was skipped'
+        },
+        replies: {
+            defaultGroup: 'My replies',
+            emojiGroup: 'Emoji',
+            title: 'Reply cards',
+            enableGroup: 'Enable group',
+            disableGroup: 'Disable group',
+            createGroup: '+ New group',
+            searchPlaceholder: 'Search cards...',
+            multiSelect: 'Select',
+            dedup: 'Dedupe',
+            moveTo: 'Move to...',
+            move: 'Move',
+            sticker: 'Sticker',
+            sequence: 'Sequence',
+            rules: 'Trigger rules',
+            addPlaceholder: 'Add a new card...',
+            uploadStickers: 'Upload stickers (multiple)',
+            uploadVoices: 'Upload voice clips (multiple)',
+            confirmEdit: 'Edit this card?',
+            confirmEditOk: 'Edit',
+            groupPrompt: 'New group name:',
+            deleteGroupConfirm: 'Delete this group and everything in it?',
+            dedupDone: '✅ Duplicates removed!',
+            imported: ['✅ Added {n} card to "{group}"', '✅ Added {n} cards to "{group}"'],
+            importEmpty: '🤔 Nothing usable found in the file.',
+            importFailed: '❌ Import failed: {error}'
+        },
+        rules: {
+            keywords: 'Keywords (comma-separated, any match)',
+            keywordsPlaceholder: 'good night, sleeping',
+            regex: 'Regex',
+            msgType: 'I sent',
+            anyType: 'Anything',
+            timeRange: 'Time range',
+            weight: 'Weight',
+            separator: ', ',
+            badRegex: '❌ Invalid regex: {error}',
+            regexPlaceholder: '^(hi|hey|hello)'
+        },
+        sequence: {
+            hint: 'Seconds of "typing" before each line; leave empty to use the random delay from preferences',
+            seconds: 'sec',
+            quoteRandom: 'Random quote',
+            quoteTrigger: 'Quote me',
+            quoteNone: 'No quote',
+            quotePrevious: 'Quote previous',
+            textPlaceholder: 'Say something...',
+            addText: '+ Text',
+            addImages: '+ Photos',
+            followBefore: 'If I stay quiet for',
+            followAfter: 'seconds, follow up with',
+            followPlaceholder: 'Where did you go?'
+        },
+        members: {
+            remove: 'Remove from group',
+            activity: 'Activity',
+            typing: 'Typing',
+            personaPlaceholder: 'Leave empty to use the persona from Reply source',
+            allGroups: 'Draws from all groups when none selected',
+            add: '+ Add member',
+            hint: '@mention someone and they reply in turn; without a mention, activity decides who replies and how many.',
+            namePrompt: 'New member name:',
+            removeConfirm: 'Remove "{name}" from the group? Their earlier messages stay.'
+        },
+        activity: {
+            lurker: 'Lurker',
+            occasional: 'Rare',
+            normal: 'Normal',
+            active: 'Active',
+            chatty: 'Chatty'
+        },
+        provider: {
+            cards: 'Cards',
+            openai: 'OpenAI-compatible API',
+            cardsHint: 'Picks cards at random by rules and weights.',
+            openaiHint: 'Calls any OpenAI-compatible chat/completions endpoint, including local ones like Ollama or LM Studio. Falls back to cards on errors or timeouts.',
+            endpoint: 'Endpoint',
+            apiKey: 'API key (optional, never included in backups)',
+            model: 'Model',
+            persona: 'Persona',
+            personaPlaceholder: 'e.g. You are {name}, twenty, laid-back, and full of filler words.',
+            temperature: 'Temperature',
+            timeout: 'Timeout (s)',
+            history: 'Recent messages sent',
+            lastError: 'Last failure: {error}',
+            testing: 'Connecting…',
+            test: 'Test connection',
+            noEndpoint: 'No endpoint set',
+            httpError: 'Endpoint returned {status}',
+            emptyReply: 'Endpoint returned nothing',
+            timedOut: ['No reply within {n} second', 'No reply within {n} seconds'],
+            testOk: '✅ Endpoint works\n{reply}',
+            testEmpty: '(empty reply)',
+            requestTimeout: 'Request timed out',
+            testFailed: '❌ Connection failed: {error}',
+            personaSolo: 'Your name is "{name}" and you are texting "{me}" on your phone.',
+            personaGroup: 'Your name is "{name}" and you are texting "{me}" in a group chat called "{group}".',
+            personaGroupOthers: 'Your name is "{name}" and you are texting "{me}" in a group chat called "{group}" with {others}.',
+            nameSeparator: ', ',
+            personaStyle: 'Talk the way people text: casual and short, one to three sentences at a time, with a line break between separate messages. No quotation marks, no action descriptions, and never write your own name.',
+            testPing: 'You there?'
+        },
+        sessions: {
+            title: 'Chats',
+            create: '+ New chat',
+            createGroup: '+ New group',
+            namePrompt: 'Name of the person in the new chat:',
+            groupNamePrompt: 'Group name:',
+            groupName: 'Group chat',
+            membersPrompt: 'Member names, separated by spaces:',
+            membersSample: 'Alex Sam',
+            renamePrompt: 'Rename chat:',
+            deleteConfirm: 'Delete the chat "{name}" and all of its messages?'
+        },
+        search: {
+            placeholder: 'Search messages...',
+            allSenders: 'Everyone',
+            allTypes: 'All types',
+            typeText: 'Text',
+            typeImage: 'Photos',
+            typeVoice: 'Voice',
+            quotedOnly: 'With quote',
+            indexing: 'Indexing…',
+            truncated: '{n} matches, showing the latest {shown}'
+        },
+        favorites: {
+            placeholder: 'Search starred...',
+            promoteTo: 'Save to',
+            voice: 'Voice {duration}',
+            promoted: 'In cards',
+            promote: 'Save as card',
+            needGroup: 'Pick a card group first'
+        },
+        shot: {
+            byDate: 'By date',
+            selected: '{n} selected',
+            privacyNone: 'Show as is',
+            privacyBlur: 'Blur avatars and names',
+            privacyReplace: 'Replace with "Me / Them"',
+            render: 'Render',
+            title: 'Screenshots',
+            count: ['{n} image', '{n} images'],
+            share: 'Share',
+            limit: 'Up to {n} messages per screenshot',
+            needFrom: 'Pick a start date',
+            badRange: 'The end date cannot be before the start date',
+            truncated: 'Too many messages in this range; taking the first {n}',
+            aliasMember: 'Member {n}',
+            aliasMe: 'Me',
+            aliasThem: 'Them',
+            noRenderer: 'The screenshot library did not load; go online and try again',
+            needSelection: 'Select some messages first',
+            tooLarge: 'Image too large',
+            failed: 'Screenshot failed: {error}',
+            shareFailed: 'Sharing failed: {error}'
+        },
+        stats: {
+            title: 'Stats',
+            last7: 'Last 7 days',
+            last30: 'Last 30 days',
+            lastYear: 'Last year',
+            all: 'All',
+            loading: 'Counting…',
+            empty: 'No messages in this range',
+            between: '{me} & {them}',
+            total: ['message', 'messages'],
+            activeDays: ['day chatted', 'days chatted'],
+            streak: ['day longest streak', 'days longest streak'],
+            streakRange: 'Longest streak: {from} ~ {to}',
+            messages: ['{n} message', '{n} messages'],
+            chars: ['{n} char', '{n} chars'],
+            daily: 'Messages per day',
+            dailyMax: 'Peak {n} a day',
+            heat: 'Active hours',
+            heatCell: ['{day} {hour}:00: {n} message', '{day} {hour}:00: {n} messages'],
+            hour: '{hour}:00',
+            replyThem: '{name} replies to me in',
+            replyMe: 'I reply to {name} in',
+            words: 'Top words',
+            emojis: 'Top emoji',
+            cards: 'Most drawn cards',
+            cardCount: ['{n} time', '{n} times'],
+            gapSeconds: '{n} sec',
+            gapMinutes: '{n} min',
+            gapHours: '{h} h {m} min'
+        },
+        anniversaries: {
+            yearly: ' · yearly',
+            today: 'Today',
+            inDays: ['in {n} day', 'in {n} days'],
+            past: 'Past',
+            empty: 'No anniversaries yet',
+            namePlaceholder: 'Name, e.g. First chat',
+            recurring: 'Repeat yearly',
+            messagePlaceholder: 'What they say that day; {years} becomes the year count',
+            together: 'Together',
+            birthday: 'Birthday',
+            anniversary: 'Anniversary',
+            daysTogether: 'Day {n} together',
+            isToday: 'Today is "{name}"',
+            countdown: ['{n} day until "{name}"', '{n} days until "{name}"'],
+            needNameDate: 'Fill in a name and date',
+            deleteConfirm: 'Delete "{name}"?'
+        },
+        schedules: {
+            quiet: 'Quiet hours',
+            fromCards: 'Drawn from cards',
+            empty: 'No schedules yet',
+            morning: 'Good morning',
+            night: 'Good night',
+            daily: 'Daily at',
+            times: 'times',
+            idleHours: 'hours without chatting',
+            textPlaceholder: 'What they say, one per line picked at random; leave empty to draw from cards',
+            kindFixed: 'Fixed',
+            kindRandom: 'Random',
+            kindIdle: 'Idle',
+            needTime: 'Pick a time',
+            needRange: 'Pick a time range',
+            deleteConfirm: 'Delete this schedule?',
+            describeFixed: 'Daily at {time}',
+            describeRandom: '{from}-{to}, {n} at random',
+            describeIdle: ['{n} hour without chatting', '{n} hours without chatting']
+        },
+        settings: {
+            title: 'Preferences',
+            identity: 'Identity & display',
+            myProfile: 'My profile',
+            groupProfile: 'Group profile',
+            theirProfile: 'Their profile',
+            members: 'Members',
+            memberCount: ['{n} member', '{n} members'],
+            avatar: 'Avatar',
+            nickname: 'Name',
+            behavior: 'Behavior',
+            notifications: 'Background notifications',
+            notifOn: '✓ On',
+            notifEnable: 'Turn on',
+            sound: 'Message sound',
+            replyDelay: 'Reply delay (s)',
+            provider: 'Reply source',
+            providerFailed: 'Connection failed ·',
+            activeMsg: 'Let them message first',
+            schedules: 'Schedules',
+            scheduleCount: ['{n} schedule', '{n} schedules'],
+            anniversaries: 'Anniversaries',
+            anniversaryCount: ['{n} date', '{n} dates'],
+            appearance: 'Appearance',
+            language: 'Language',
+            theme: 'Theme',
+            customTheme: 'Custom',
+            avatarRadius: 'Avatar corners',
+            background: 'Background image',
+            pickBackground: '📷 Choose background image',
+            clearBackground: '✕ Remove background',
+            customCSS: 'Custom bubble CSS',
+            cssIgnored: ['Ignored {n} unsafe or out-of-bubble rule', 'Ignored {n} unsafe or out-of-bubble rules'],
+            storage: 'Storage',
+            storageHint: 'Usage & cleanup',
+            appLock: 'App lock',
+            appLockOn: 'On · data encrypted',
+            appLockOff: 'Off',
+            exportChat: 'Export chat',
+            importChat: 'Import chat',
+            backup: 'Back up',
+            restore: 'Restore',
+            clearAll: 'Clear all',
+            clearConfirm: 'This permanently clears the chat history. Continue?'
+        },
+        theme: {
+            previewThem: 'How was your day?',
+            previewMe: 'Not bad, just got off work',
+            untitled: 'Untitled',
+            light: 'Light',
+            dark: 'Dark',
+            system: 'System',
+            mode: 'Mode',
+            font: 'Font',
+            bubbleMe: 'My bubble',
+            bubbleThem: 'Their bubble',
+            fill: 'Fill',
+            textColor: 'Text',
+            radius: 'Corners',
+            page: 'Page',
+            resetLight: 'Reset light colors',
+            resetDark: 'Reset dark colors',
+            saveAs: 'Save as theme',
+            exportFile: 'Export theme file',
+            importFile: 'Import theme file',
+            surface: 'Panel',
+            muted: 'Secondary',
+            border: 'Divider',
+            fontSerif: 'Serif',
+            fontSans: 'Sans',
+            fontKai: 'Kai',
+            fontMono: 'Mono',
+            namePrompt: 'Theme name:',
+            defaultName: 'My theme',
+            deleteConfirm: 'Delete theme "{name}"?',
+            invalidFile: 'Not a Jingyu theme file',
+            tooNew: 'This theme file is from a newer version; update the app first',
+            importedName: 'Imported theme',
+            presetPlain: 'Plain',
+            presetNight: 'Ink night',
+            presetAuto: 'System',
+            presetSakura: 'Sakura',
+            presetCeladon: 'Celadon'
+        },
+        storage: {
+            used: '{size} used',
+            quota: 'Browser allows {size}',
+            sessions: ['{n} chat', '{n} chats'],
+            messages: ['{n} message', '{n} messages'],
+            media: ['{n} media file', '{n} media files'],
+            scanning: 'Counting…',
+            itemMessages: ['{n} message', '{n} messages'],
+            itemFiles: ['{n} file', '{n} files'],
+            approx: 'about {size}',
+            shared: 'Reused photos and voice clips are stored once, saving about {size}',
+            compress: 'Recompress large photos',
+            compressable: ['{n} photo can be compressed, saving about {size}', '{n} photos can be compressed, saving about {size}'],
+            compressNone: 'Nothing to compress',
+            compressButton: 'Compress',
+            purge: 'Remove unused media',
+            orphans: ['{n} file is not used anywhere, saving about {size}', '{n} files are not used anywhere, saving about {size}'],
+            orphansNone: 'No unused media',
+            purgeButton: 'Remove',
+            archivable: ['{n} message (starred ones kept), saving about {size}', '{n} messages (starred ones kept), saving about {size}'],
+            archiveNone: 'Nothing to archive',
+            archiveButton: 'Archive',
+            archiveHint: 'Archiving downloads an archive file before deleting; you can bring it back later with Restore → Merge in settings.',
+            catText: 'Message text',
+            catImage: 'Chat photos',
+            catVoice: 'Voice',
+            catReplies: 'Cards & settings',
+            catAppearance: 'Avatars & backgrounds',
+            catOrphan: 'Unused media',
+            archive90: 'over 3 months ago',
+            archive180: 'over 6 months ago',
+            archive365: 'over a year ago',
+            archiveBefore: 'Archive messages from',
+            archiveAfter: '',
+            compressConfirm: ['Recompress {n} photo? Quality drops slightly and this cannot be undone.', 'Recompress {n} photos? Quality drops slightly and this cannot be undone.'],
+            compressFailed: 'Compression failed: {error}',
+            purgeConfirm: ['Delete {n} media file that is not used anywhere?', 'Delete {n} media files that are not used anywhere?'],
+            purgeFailed: 'Cleanup failed: {error}',
+            archiveConfirm: ['Export {n} message from {when} to an archive file and delete it from this device? Starred messages are kept.', 'Export {n} messages from {when} to an archive file and delete them from this device? Starred messages are kept.'],
+            archiveFailed: 'Archiving failed: {error}'
+        },
+        lock: {
+            graceNow: 'Immediately',
+            grace1: '1 minute',
+            grace5: '5 minutes',
+            grace30: '30 minutes',
+            intro: 'Once on, the passcode is needed every time you open the app or come back to it. Chats, photos and settings are encrypted with it before being stored on this device. A few fields such as timestamps used for sorting stay unencrypted.',
+            warning: 'The passcode is not stored anywhere and cannot be recovered. Forgetting it means losing all chat data for good and starting over. Make a backup before turning this on.',
+            passcode: 'Passcode (at least {n} characters)',
+            confirm: 'Enter it again',
+            encrypting: 'Encrypting… {progress}',
+            enable: 'Turn on and encrypt existing data',
+            grace: 'Lock again after being away for',
+            change: 'Change passcode',
+            disable: 'Turn off app lock',
+            current: 'Current passcode',
+            newPasscode: 'New passcode (at least {n} characters)',
+            disableHint: 'Turning it off decrypts all data back to plain storage.',
+            working: 'Working… {progress}',
+            disableConfirm: 'Turn off and decrypt',
+            enterPasscode: 'Enter passcode',
+            resuming: 'Resuming {progress}',
+            unlocking: 'Unlocking…',
+            unlock: 'Unlock',
+            forgot: 'Forgot passcode',
+            sealed: 'Data is encrypted; unlock first',
+            wrong: 'Wrong passcode',
+            unlockFailed: 'Unlock failed: {error}',
+            tooShort: 'The passcode needs at least {n} characters',
+            mismatch: 'The passcodes do not match',
+            unsupported: 'Encryption is not available here (open the app over HTTPS or localhost)',
+            wrongOld: 'The current passcode is wrong',
+            enabled: 'App lock is on and your data is encrypted',
+            changed: 'Passcode changed',
+            disabled: 'App lock is off and your data is stored unencrypted again',
+            failed: 'Something went wrong: {error}',
+            forgetConfirm: 'Without the passcode the encrypted data cannot be opened. Delete all chat data and start over?',
+            forgetConfirmAgain: 'One more time: every chat, message, photo and setting will be deleted for good. This cannot be undone.',
+            resetBlocked: 'The app is open in another tab, so the data could not be cleared. Close the other tabs and try again.'
+        },
+        restore: {
+            title: 'Restore backup',
+            exportedAt: 'Backed up {time}',
+            mergeHint: 'Merge: keep existing data and only add missing chats, messages, cards and anniversaries.',
+            replaceHint: 'Replace: clear all existing data, then import.',
+            merge: 'Merge',
+            replace: 'Replace',
+            notBackup: 'This is not a Jingyu backup file',
+            tooNew: 'The backup is version v{version}, newer than this app (v{current}); update the app first',
+            noSessions: 'The backup has no chats in it',
+            unreadable: '❌ Could not read the backup: {error}',
+            replaceConfirm: 'All existing chats and messages will be cleared before the backup is imported. Replace them?',
+            interrupted: '❌ Restore stopped: {error}',
+            done: '✅ Restore complete',
+            doneSessions: ['{n} chat added', '{n} chats added'],
+            doneMessages: ['{n} message imported', '{n} messages imported'],
+            doneReplies: ['{n} card', '{n} cards'],
+            doneAnniversaries: ['{n} anniversary', '{n} anniversaries'],
+            doneSkipped: ['{n} invalid message skipped', '{n} invalid messages skipped']
+        },
+        export: {
+            recalled: '[Recalled]',
+            image: '[Photo]',
+            voice: '[Voice {duration}]',
+            edited: ' (edited, original: {original})',
+            reactions: ' [Reactions {list}]',
+            context: '    ↳ Context {line}'
+        },
+        import: {
+            skip: 'Skip',
+            title: 'Import chat history',
+            unparsed: ['{n} line not recognized and will be skipped', '{n} lines not recognized and will be skipped'],
+            whoIsWho: 'Who is who',
+            swap: 'Swap',
+            preview: 'Preview',
+            showUnparsed: 'Show unrecognized lines',
+            hint: 'Merged into this chat in time order. Duplicates of existing messages (same person, same minute, same text) are skipped. Photos and voice come in as text placeholders.',
+            formatBlock: 'WeChat / QQ block format',
+            formatLine: '[time] name: text',
+            nothing: '🤔 No messages were recognized.\nSupported: this app\'s own exports, [time] name: text, and WeChat / QQ text exports.',
+            nothingUnparsed: ['🤔 No messages were recognized; {n} line could not be read.\nSupported: this app\'s own exports, [time] name: text, and WeChat / QQ text exports.', '🤔 No messages were recognized; {n} lines could not be read.\nSupported: this app\'s own exports, [time] name: text, and WeChat / QQ text exports.'],
+            needSpeaker: 'Assign at least one person',
+            interrupted: '❌ Import stopped: {error}',
+            done: ['✅ Imported {n} message', '✅ Imported {n} messages'],
+            doneDuplicate: '{n} already present, skipped',
+            doneIgnored: '{n} from unassigned people, skipped',
+            lineSeparator: ', ',
+            doneUnparsed: ['{n} line not recognized (line {lines})', '{n} lines not recognized (lines {lines})'],
+            doneUnparsedMore: '{n} lines not recognized (lines {lines} and more)'
+        }
+    }
+};
+
+// 浏览器语言是中文就用中文，否则用英文
+const detectLocale = () => (navigator.language || '').toLowerCase().startsWith('zh') ? 'zh-CN' : 'en';
+
+const translate = (locale, key, params = {}) => {
+    const lookup = lang => key.split('.').reduce((node, part) => node?.[part], MESSAGES[lang]);
+    let text = lookup(locale) ?? lookup('zh-CN') ?? key;
+    if (Array.isArray(text)) text = text[new Intl.PluralRules(locale).select(params.n ?? 0) === 'one' ? 0 : 1];
+    return text.replace(/\{(\w+)\}/g, (m, name) => params[name] ?? m);
+};
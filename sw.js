@@ -0,0 +1,136 @@
+// sw.js - 离线缓存与后台通知
+// 页面和本站的脚本网络优先，取到就更新缓存，离线或网络几秒没响应时才用缓存，改了它们不改 VERSION 也能生效；CDN 依赖缓存优先。
+// VERSION 决定缓存名，改了本文件或 PRECACHE_URLS 时跟着改：浏览器装新版本、页面提示「有新版本」，接管时删掉旧缓存
+const VERSION = '2026.10.19.3';
+const PRECACHE = `jingyu-precache-${VERSION}`;
+const RUNTIME = `jingyu-runtime-${VERSION}`;
+// 网络优先的请求等这么久还没响应就先用缓存，弱网下不至于一直白屏
+const NETWORK_TIMEOUT = 3000;
+
+// 推送没带文案时的兜底提示也分语言；Service Worker 读不到页面存的语言，按浏览器语言来
+importScripts('./i18n.js');
+const fallbackTitle = () => translate(detectLocale(), 'app.name');
+const fallbackBody = () => translate(detectLocale(), 'notify.fallback');
+
+// 冷启动离线也要能打开：页面本身和所有运行时依赖装的时候一次缓存好
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './db.js',
+    './i18n.js',
+    './manifest.webmanifest',
+    './icon.svg',
+    'https://unpkg.com/vue@3/dist/vue.global.js',
+    'https://cdn.tailwindcss.com',
+    'https://unpkg.com/lucide@latest',
+    'https://unpkg.com/localforage@1.10.0/dist/localforage.min.js',
+    'https://unpkg.com/@formkit/auto-animate@0.8.0/index.iife.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/html2canvas/1.4.1/html2canvas.min.js',
+    'https://fonts.googleapis.com/css2?family=Noto+Serif+SC:wght@300;400;500&display=swap'
+];
+const APP_FILES = new Set(PRECACHE_URLS.filter(u => u.startsWith('./')).map(u => new URL(u, self.location).href));
+
+// CDN 一般带 CORS 头；不带的退回 no-cors 存不透明响应（<script> 照样能用）
+const fetchForCache = async (url) => {
+    const res = await fetch(new Request(url, { mode: 'cors', cache: 'reload' })).catch(() => null);
+    if (res?.ok) return res;
+    const opaque = await fetch(new Request(url, { mode: 'no-cors', cache: 'reload' }));
+    if (opaque.type !== 'opaque' && !opaque.ok) throw new Error(`预缓存失败 ${url} ${opaque.status}`);
+    return opaque;
+};
+
+self.addEventListener('install', e => {
+    // 任何一个下载失败整次安装就失败，旧版本继续用，不会缓存半套
+    e.waitUntil(caches.open(PRECACHE).then(cache =>
+        Promise.all(PRECACHE_URLS.map(async url => cache.put(url, await fetchForCache(url))))
+    ));
+});
+
+// 新版本接管后删掉旧版本的缓存
+self.addEventListener('activate', e => {
+    e.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(k => k.startsWith('jingyu-') && k !== PRECACHE && k !== RUNTIME)
+            .map(k => caches.delete(k))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', e => {
+    const req = e.request;
+    if (req.method !== 'GET') return;
+    const url = new URL(req.url);
+    if (!['http:', 'https:'].includes(url.protocol)) return;
+
+    // 打开页面和本站文件：先走网络并把新的存进预缓存，断网或超时用缓存，页面一律回落到 index.html
+    // 超时后网络请求不取消，回来了照样更新缓存，下次打开就是新的
+    if (req.mode === 'navigate' || APP_FILES.has(url.href)) {
+        const key = req.mode === 'navigate' ? './index.html' : req;
+        const network = fetch(req).then(res => {
+            if (res.ok) {
+                const copy = res.clone();
+                e.waitUntil(caches.open(PRECACHE).then(c => c.put(key, copy)));
+            }
+            return res;
+        });
+        e.waitUntil(network.catch(() => null));
+        e.respondWith((async () => {
+            const timeout = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT));
+            const res = await Promise.race([network, timeout]).catch(() => null);
+            if (res) return res;
+            return (await caches.match(key, { cacheName: PRECACHE })) || network;
+        })());
+        return;
+    }
+    // 预缓存里有的直接用；其余（字体文件等）先给缓存，后台再更新一份
+    e.respondWith((async () => {
+        const pre = await caches.match(req, { cacheName: PRECACHE });
+        if (pre) return pre;
+        const cached = await caches.match(req, { cacheName: RUNTIME });
+        const update = fetch(req).then(res => {
+            if (res.ok || res.type === 'opaque') {
+                const copy = res.clone();
+                e.waitUntil(caches.open(RUNTIME).then(c => c.put(req, copy)));
+            }
+            return res;
+        });
+        if (!cached) return update;
+        e.waitUntil(update.catch(() => null));
+        return cached;
+    })());
+});
+
+// 后台推送通知监听
+self.addEventListener('push', e => {
+    const data = e.data ? e.data.json() : {};
+    e.waitUntil(
+        self.registration.showNotification(data.title || fallbackTitle(), {
+            body: data.body || fallbackBody(),
+            icon: data.icon || './icon.svg',
+            badge: data.icon || './icon.svg',
+            vibrate: [200, 100, 200],
+            tag: 'jingyu-msg',
+            renotify: true
+        })
+    );
+});
+
+self.addEventListener('message', e => {
+    // 用户在页面上点了「刷新」，新版本立刻接管
+    if (e.data?.type === 'skipWaiting') return self.skipWaiting();
+    // 页面在后台时转交过来的通知
+    if (e.data?.type !== 'notify') return;
+    e.waitUntil(self.registration.showNotification(e.data.title || fallbackTitle(), {
+        body: e.data.body || fallbackBody(),
+        icon: './icon.svg',
+        tag: 'jingyu-msg',
+        renotify: true
+    }));
+});
+
+self.addEventListener('notificationclick', e => {
+    e.notification.close();
+    e.waitUntil(self.clients.matchAll({ type: 'window' }).then(cs => {
+        if (cs.length) return cs[0].focus();
+        return self.clients.openWindow(self.registration.scope);
+    }));
+});